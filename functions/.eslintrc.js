@@ -17,9 +17,9 @@ module.exports = {
   },
   overrides: [
     {
-      files: ["**/*.spec.*"],
+      files: ["**/*.spec.*", "test/**"],
       env: {
-        mocha: true,
+        jest: true,
       },
       rules: {},
     },
@@ -0,0 +1,179 @@
+// Airspace checks for the server-side airspace verification.
+//
+// Pure functions without Firebase dependencies, on the functions'
+// copy of the app's SHV GeoJSON dataset (airspace/swiss_airspace.json).
+// Altitudes and limits are in meters; QNH limits are compared with the
+// GPS altitude, STD (flight levels) likewise with a wider margin since
+// the pressure is unknown, AGL limits with the terrain elevation.
+
+// Margins around vertical limits, in meters
+const AIRSPACE_GPS_TOLERANCE_M = 30;
+const AIRSPACE_STD_TOLERANCE_M = 90;
+const AIRSPACE_AGL_TOLERANCE_M = 50;
+
+let airspaceZones = null;
+
+/**
+ * Read one vertical limit of an SHV airspace feature.
+ * @param {object} limit - The feature's Lower or Upper property.
+ * @param {number} fallback - Meters when the limit is missing.
+ * @return {object} { reference: "QNH"|"STD"|"AGL", meters }.
+ */
+function parseAirspaceLimit(limit, fallback) {
+  const metric = limit?.Metric?.Alt;
+  if (metric?.Altitude != null) {
+    const type = String(metric.Type || "");
+    const reference = type.includes("AGL") ? "AGL" :
+      type.includes("STD") ? "STD" : "QNH";
+    return {reference, meters: metric.Altitude};
+  }
+  const imperial = limit?.Imperial?.Alt;
+  if (imperial?.Altitude != null) {
+    const type = String(imperial.Type || "");
+    if (type === "FL") {
+      return {reference: "STD", meters: imperial.Altitude * 30.48};
+    }
+    return {
+      reference: type.includes("AGL") ? "AGL" : "QNH",
+      meters: imperial.Altitude * 0.3048,
+    };
+  }
+  return {reference: "QNH", meters: fallback};
+}
+
+/**
+ * Load and index the airspace dataset (once per instance).
+ * @return {Array<object>} Zones with ring, bbox and limits.
+ */
+function loadAirspaceZones() {
+  if (airspaceZones) return airspaceZones;
+  const dataset = require("./airspace/swiss_airspace.json");
+  airspaceZones = dataset.features
+      .filter((feature) => feature.geometry?.type === "Polygon")
+      .map((feature) => {
+        const props = feature.properties || {};
+        const ring = feature.geometry.coordinates[0] || [];
+        const lngs = ring.map((point) => point[0]);
+        const lats = ring.map((point) => point[1]);
+        return {
+          id: props.ID,
+          name: props.Name || "Unknown",
+          type: props.ASType || "",
+          asClass: props.ASClass || null,
+          informational: props.Informational === true,
+          inactiveByAgreement: props.InactiveByAgreement === true,
+          lower: parseAirspaceLimit(props.Lower, 0),
+          upper: parseAirspaceLimit(props.Upper, 99999),
+          ring,
+          bbox: [
+            Math.min(...lngs), Math.min(...lats),
+            Math.max(...lngs), Math.max(...lats),
+          ],
+        };
+      });
+  return airspaceZones;
+}
+
+/**
+ * Ray casting point-in-polygon test on a GeoJSON ring.
+ * @param {number} lat - Latitude.
+ * @param {number} lng - Longitude.
+ * @param {Array<Array<number>>} ring - [lng, lat] points.
+ * @return {boolean} True if inside.
+ */
+function pointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) &&
+        lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * List the zones whose polygon contains a point.
+ * @param {number} lat - Latitude.
+ * @param {number} lng - Longitude.
+ * @return {Array<object>} The zones.
+ */
+function zonesAtPoint(lat, lng) {
+  return loadAirspaceZones().filter((zone) =>
+    lng >= zone.bbox[0] && lat >= zone.bbox[1] &&
+    lng <= zone.bbox[2] && lat <= zone.bbox[3] &&
+    pointInRing(lat, lng, zone.ring));
+}
+
+/**
+ * Check whether an AGL limit is needed to judge a zone.
+ * @param {object} zone - A loaded zone.
+ * @return {boolean} True if terrain elevation matters.
+ */
+function zoneNeedsTerrain(zone) {
+  return (zone.lower.reference === "AGL" && zone.lower.meters > 0) ||
+    zone.upper.reference === "AGL";
+}
+
+/**
+ * Judge a position against a zone's vertical limits.
+ * @param {object} zone - A loaded zone containing the position.
+ * @param {number} altitude - GPS altitude (m MSL).
+ * @param {number|null} ground - Terrain elevation (m), if known.
+ * @return {object} { verdict: "inside"|"outside"|"uncertain", reason }.
+ */
+function verticalVerdict(zone, altitude, ground) {
+  // "ok", "violated" or "uncertain" for one limit; sign is 1 for the
+  // lower limit, -1 for the upper
+  const check = (limit, sign) => {
+    // Surface: a flying pilot is always above it
+    if (sign === 1 && limit.reference === "AGL" && limit.meters === 0) {
+      return "ok";
+    }
+    let bound = limit.meters;
+    let tolerance = AIRSPACE_GPS_TOLERANCE_M;
+    if (limit.reference === "STD") tolerance = AIRSPACE_STD_TOLERANCE_M;
+    if (limit.reference === "AGL") {
+      if (ground == null) return "uncertain";
+      bound += ground;
+      tolerance = AIRSPACE_AGL_TOLERANCE_M;
+    }
+    const margin = sign * (altitude - bound);
+    if (margin >= tolerance) return "ok";
+    if (margin <= -tolerance) return "violated";
+    return "uncertain";
+  };
+
+  const lower = check(zone.lower, 1);
+  const upper = check(zone.upper, -1);
+  const describe = (limit) =>
+    `${Math.round(limit.meters)} m ${limit.reference}`;
+  if (lower === "violated") {
+    return {verdict: "outside", reason: `below ${describe(zone.lower)}`};
+  }
+  if (upper === "violated") {
+    return {verdict: "outside", reason: `above ${describe(zone.upper)}`};
+  }
+  if (lower === "ok" && upper === "ok") {
+    return {
+      verdict: "inside",
+      reason: `between ${describe(zone.lower)} and ${describe(zone.upper)}`,
+    };
+  }
+  return {
+    verdict: "uncertain",
+    reason: `near the ${lower !== "ok" ? "lower" : "upper"} limit ` +
+      `(${describe(lower !== "ok" ? zone.lower : zone.upper)})`,
+  };
+}
+
+module.exports = {
+  parseAirspaceLimit,
+  loadAirspaceZones,
+  pointInRing,
+  zonesAtPoint,
+  zoneNeedsTerrain,
+  verticalVerdict,
+};
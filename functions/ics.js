@@ -0,0 +1,237 @@
+// iCalendar (RFC 5545) parsing for the ICS / CalDAV calendar import.
+//
+// Pure functions without Firebase dependencies. Times are handled as
+// wall clock (a Date holding the local time in its UTC fields) and
+// only turned into instants with their time zone at the end, so
+// recurrences keep their local time across DST changes.
+
+// Safety limit for runaway recurrence rules
+const ICS_MAX_INSTANCES = 1000;
+
+/**
+ * Parse the VEVENT components of an iCalendar document.
+ * @param {string} text - The iCalendar text.
+ * @return {Array<object>} Events as { NAME: [{ params, value }] }.
+ */
+function parseIcsEvents(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  const stack = [];
+  let current = null;
+
+  for (const line of lines) {
+    const match = /^([^:;]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/
+        .exec(line);
+    if (!match) continue;
+    const name = match[1].toUpperCase();
+    const value = match[3];
+
+    if (name === "BEGIN") {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === "VEVENT") current = {};
+      continue;
+    }
+    if (name === "END") {
+      if (stack.pop() === "VEVENT" && current) {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+    // Skip properties of nested components such as VALARM
+    if (!current || stack[stack.length - 1] !== "VEVENT") continue;
+
+    const params = {};
+    // Quoted values may contain ";" and ":"
+    for (const [, key, value] of
+      match[2].matchAll(/;([^:;=]+)=("[^"]*"|[^:;]*)/g)) {
+      params[key.toUpperCase()] = value.replace(/^"|"$/g, "");
+    }
+    (current[name] = current[name] || []).push({params, value});
+  }
+  return events;
+}
+
+/**
+ * Unescape an iCalendar TEXT value.
+ * @param {string} value - The escaped text.
+ * @return {string} The text.
+ */
+function icsUnescape(value) {
+  return String(value || "").replace(/\\([\\;,nN])/g, (_, char) =>
+    char.toLowerCase() === "n" ? "\n" : char);
+}
+
+/**
+ * Parse a DATE or DATE-TIME property. Times are kept as wall clock
+ * (a Date holding the local time in its UTC fields) so recurrences
+ * can be expanded without DST shifts.
+ * @param {object} prop - The { params, value } property.
+ * @return {object|null} { kind: "date"|"utc"|"local", wall, tzid }.
+ */
+function parseIcsTime(prop) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/
+      .exec(prop?.value?.trim() || "");
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s, utc] = match;
+  const wall = new Date(Date.UTC(y, mo - 1, d, h || 0, mi || 0, s || 0));
+  if (h === undefined || prop.params.VALUE === "DATE") {
+    return {kind: "date", wall};
+  }
+  return {kind: utc ? "utc" : "local", wall, tzid: prop.params.TZID};
+}
+
+/**
+ * Get a time zone's UTC offset at an instant.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - An IANA time zone.
+ * @return {number} The offset in minutes.
+ */
+function timeZoneOffsetMinutes(date, timeZone) {
+  const name = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    timeZoneName: "longOffset",
+  }).formatToParts(date).find((part) => part.type === "timeZoneName").value;
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+  if (!match) return 0;
+  return (match[1] === "-" ? -1 : 1) * (match[2] * 60 + Number(match[3]));
+}
+
+/**
+ * Get a time zone's UTC offset at a wall-clock time, corrected once
+ * around DST changes.
+ * @param {Date} wall - The wall-clock time, as if it were UTC.
+ * @param {string} timeZone - An IANA time zone.
+ * @return {number} The offset in minutes.
+ */
+function wallTimeOffsetMinutes(wall, timeZone) {
+  const offset = timeZoneOffsetMinutes(wall, timeZone);
+  return timeZoneOffsetMinutes(
+      new Date(wall.getTime() - offset * 60000), timeZone,
+  );
+}
+
+/**
+ * Format a parsed time as an events startTime/endTime value.
+ * @param {object} time - A parseIcsTime result.
+ * @param {string} defaultTimeZone - Zone for floating times and
+ *     TZIDs that are not IANA names.
+ * @return {string} YYYY-MM-DD or an ISO date-time with offset.
+ */
+function icsTimeToIso(time, defaultTimeZone) {
+  const wallIso = time.wall.toISOString();
+  if (time.kind === "date") return wallIso.slice(0, 10);
+  if (time.kind === "utc") return wallIso.replace(".000", "");
+
+  let timeZone = time.tzid || defaultTimeZone;
+  try {
+    timeZoneOffsetMinutes(time.wall, timeZone);
+  } catch (e) {
+    timeZone = defaultTimeZone;
+  }
+  const offset = wallTimeOffsetMinutes(time.wall, timeZone);
+  const abs = Math.abs(offset);
+  return wallIso.slice(0, 19) + (offset < 0 ? "-" : "+") +
+    `${String(Math.floor(abs / 60)).padStart(2, "0")}:` +
+    `${String(abs % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Parse an iCalendar DURATION (e.g. PT1H30M, P1D).
+ * @param {string} value - The duration.
+ * @return {number|null} Milliseconds, null if invalid.
+ */
+function parseIcsDuration(value) {
+  const match = new RegExp(
+      "^([+-])?P(?:(\\d+)W)?(?:(\\d+)D)?" +
+      "(?:T(?:(\\d+)H)?(?:(\\d+)M)?(?:(\\d+)S)?)?$",
+  ).exec(value || "");
+  if (!match) return null;
+  const [, sign, w, d, h, m, s] = match.map((part) => part || 0);
+  const ms = ((((Number(w) * 7 + Number(d)) * 24 + Number(h)) * 60 +
+    Number(m)) * 60 + Number(s)) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+/**
+ * List the start times of a recurring event inside a window.
+ * Supports FREQ DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT,
+ * UNTIL, BYDAY (weekly) and EXDATE.
+ * @param {object} vevent - The parsed VEVENT.
+ * @param {object} start - The parsed DTSTART.
+ * @param {number} fromMs - Window start (wall clock ms).
+ * @param {number} toMs - Window end (wall clock ms).
+ * @return {Array<Date>} Instance starts as wall clock dates.
+ */
+function expandIcsRecurrence(vevent, start, fromMs, toMs) {
+  const rule = Object.fromEntries((vevent.RRULE[0].value || "")
+      .split(";")
+      .map((part) => part.split("="))
+      .map(([key, value]) => [key.toUpperCase(), value]));
+  const interval = parseInt(rule.INTERVAL) || 1;
+  const count = parseInt(rule.COUNT) || Infinity;
+  const untilMs = rule.UNTIL ?
+    parseIcsTime({params: {}, value: rule.UNTIL})?.wall.getTime() :
+    Infinity;
+  const excluded = new Set((vevent.EXDATE || [])
+      .flatMap((prop) => prop.value.split(",")
+          .map((value) => parseIcsTime({params: prop.params, value})))
+      .filter(Boolean)
+      .map((time) => time.wall.getTime()));
+  const weekdays = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+  const byDay = rule.FREQ === "WEEKLY" && rule.BYDAY ?
+    rule.BYDAY.split(",").map((day) => weekdays.indexOf(day.slice(-2))) :
+    null;
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const first = start.wall;
+  const instances = [];
+  let emitted = 0;
+  for (let step = 0; step < ICS_MAX_INSTANCES * 10; step++) {
+    // Candidates of this period, in order
+    let candidates;
+    if (rule.FREQ === "DAILY") {
+      candidates = [new Date(first.getTime() + step * interval * dayMs)];
+    } else if (rule.FREQ === "WEEKLY") {
+      const weekStart = first.getTime() + step * interval * 7 * dayMs;
+      candidates = byDay ?
+        byDay.map((day) => new Date(weekStart +
+          ((day - first.getUTCDay() + 7) % 7) * dayMs))
+            .sort((a, b) => a - b) :
+        [new Date(weekStart)];
+    } else if (rule.FREQ === "MONTHLY" || rule.FREQ === "YEARLY") {
+      const candidate = new Date(first);
+      if (rule.FREQ === "MONTHLY") {
+        candidate.setUTCMonth(first.getUTCMonth() + step * interval);
+      } else {
+        candidate.setUTCFullYear(first.getUTCFullYear() + step * interval);
+      }
+      // Skip e.g. the 31st in shorter months
+      candidates = candidate.getUTCDate() === first.getUTCDate() ?
+        [candidate] : [];
+    } else {
+      return [first];
+    }
+
+    for (const candidate of candidates) {
+      const ms = candidate.getTime();
+      if (ms < first.getTime()) continue;
+      if (ms > untilMs || emitted >= count || ms > toMs) return instances;
+      emitted++;
+      if (ms >= fromMs && !excluded.has(ms)) instances.push(candidate);
+      if (instances.length >= ICS_MAX_INSTANCES) return instances;
+    }
+  }
+  return instances;
+}
+
+module.exports = {
+  parseIcsEvents,
+  icsUnescape,
+  parseIcsTime,
+  timeZoneOffsetMinutes,
+  wallTimeOffsetMinutes,
+  icsTimeToIso,
+  parseIcsDuration,
+  expandIcsRecurrence,
+};
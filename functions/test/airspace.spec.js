@@ -0,0 +1,162 @@
+const {
+  parseAirspaceLimit,
+  loadAirspaceZones,
+  pointInRing,
+  verticalVerdict,
+} = require("../airspace");
+
+/**
+ * Build a zone with the given vertical limits.
+ * @param {object} lower - { reference, meters } of the lower limit.
+ * @param {object} upper - { reference, meters } of the upper limit.
+ * @return {object} The zone, as loadAirspaceZones returns it.
+ */
+function zone(lower, upper) {
+  return {id: "z1", name: "Test zone", lower, upper};
+}
+
+describe("pointInRing", () => {
+  // [lng, lat] square around 8..9 E, 46..47 N, closed like GeoJSON
+  const square = [[8, 46], [9, 46], [9, 47], [8, 47], [8, 46]];
+  // L shape: the square without its north-east quarter
+  const lShape = [
+    [8, 46], [9, 46], [9, 46.5], [8.5, 46.5], [8.5, 47], [8, 47], [8, 46],
+  ];
+
+  test("finds points inside and outside a polygon", () => {
+    expect(pointInRing(46.5, 8.5, square)).toBe(true);
+    expect(pointInRing(47.5, 8.5, square)).toBe(false);
+    expect(pointInRing(46.5, 9.5, square)).toBe(false);
+    expect(pointInRing(45.5, 7.5, square)).toBe(false);
+  });
+
+  test("handles concave polygons", () => {
+    expect(pointInRing(46.25, 8.75, lShape)).toBe(true);
+    expect(pointInRing(46.75, 8.25, lShape)).toBe(true);
+    expect(pointInRing(46.75, 8.75, lShape)).toBe(false);
+  });
+
+  test("does not need the closing point", () => {
+    expect(pointInRing(46.5, 8.5, square.slice(0, -1))).toBe(true);
+    expect(pointInRing(47.5, 8.5, square.slice(0, -1))).toBe(false);
+  });
+});
+
+describe("parseAirspaceLimit", () => {
+  test("reads the metric limit and its reference", () => {
+    expect(parseAirspaceLimit({
+      Metric: {Alt: {Type: "m QNH", Altitude: 2320}},
+      Imperial: {Alt: {Type: "ft QNH", Altitude: 7602}},
+    }, 0)).toEqual({reference: "QNH", meters: 2320});
+    expect(parseAirspaceLimit({
+      Metric: {Alt: {Type: "m AGL", Altitude: 0}},
+    }, 0)).toEqual({reference: "AGL", meters: 0});
+    expect(parseAirspaceLimit({
+      Metric: {Alt: {Type: "m STD", Altitude: 2750}},
+      Imperial: {Alt: {Type: "FL", Altitude: 90}},
+    }, 0)).toEqual({reference: "STD", meters: 2750});
+  });
+
+  test("converts imperial-only limits", () => {
+    expect(parseAirspaceLimit({
+      Imperial: {Alt: {Type: "FL", Altitude: 100}},
+    }, 0)).toEqual({reference: "STD", meters: 3048});
+    const agl = parseAirspaceLimit({
+      Imperial: {Alt: {Type: "ft AGL", Altitude: 1000}},
+    }, 0);
+    expect(agl.reference).toBe("AGL");
+    expect(agl.meters).toBeCloseTo(304.8);
+  });
+
+  test("falls back when the limit is missing", () => {
+    expect(parseAirspaceLimit(undefined, 99999))
+        .toEqual({reference: "QNH", meters: 99999});
+  });
+});
+
+describe("verticalVerdict", () => {
+  test("judges QNH limits against the GPS altitude", () => {
+    const qnh = zone(
+        {reference: "QNH", meters: 1000},
+        {reference: "QNH", meters: 2000},
+    );
+    expect(verticalVerdict(qnh, 1500, null)).toEqual({
+      verdict: "inside",
+      reason: "between 1000 m QNH and 2000 m QNH",
+    });
+    expect(verticalVerdict(qnh, 900, null))
+        .toEqual({verdict: "outside", reason: "below 1000 m QNH"});
+    expect(verticalVerdict(qnh, 2100, null))
+        .toEqual({verdict: "outside", reason: "above 2000 m QNH"});
+    // Within the GPS margin of a limit
+    expect(verticalVerdict(qnh, 1010, null)).toEqual({
+      verdict: "uncertain",
+      reason: "near the lower limit (1000 m QNH)",
+    });
+    expect(verticalVerdict(qnh, 1980, null).verdict).toBe("uncertain");
+  });
+
+  test("gives flight levels a wider margin", () => {
+    const std = zone(
+        {reference: "STD", meters: 2750},
+        {reference: "QNH", meters: 4550},
+    );
+    // 50 m below: outside for a QNH limit, not for a flight level
+    expect(verticalVerdict(std, 2700, null).verdict).toBe("uncertain");
+    expect(verticalVerdict(std, 2600, null).verdict).toBe("outside");
+    expect(verticalVerdict(std, 2900, null).verdict).toBe("inside");
+  });
+
+  test("adds the terrain to AGL limits", () => {
+    const agl = zone(
+        {reference: "AGL", meters: 150},
+        {reference: "AGL", meters: 600},
+    );
+    expect(verticalVerdict(agl, 1400, 1000)).toEqual({
+      verdict: "inside",
+      reason: "between 150 m AGL and 600 m AGL",
+    });
+    expect(verticalVerdict(agl, 1700, 1000))
+        .toEqual({verdict: "outside", reason: "above 600 m AGL"});
+    expect(verticalVerdict(agl, 1090, 1000).verdict).toBe("outside");
+    expect(verticalVerdict(agl, 1120, 1000).verdict).toBe("uncertain");
+  });
+
+  test("stays uncertain on AGL limits without terrain", () => {
+    const agl = zone(
+        {reference: "AGL", meters: 150},
+        {reference: "QNH", meters: 3000},
+    );
+    expect(verticalVerdict(agl, 1400, null)).toEqual({
+      verdict: "uncertain",
+      reason: "near the lower limit (150 m AGL)",
+    });
+    // Too high either way
+    expect(verticalVerdict(agl, 3200, null).verdict).toBe("outside");
+  });
+
+  test("treats the surface as always below a flying pilot", () => {
+    const surface = zone(
+        {reference: "AGL", meters: 0},
+        {reference: "QNH", meters: 2320},
+    );
+    expect(verticalVerdict(surface, 1500, null).verdict).toBe("inside");
+  });
+});
+
+describe("airspace dataset", () => {
+  test("is the same as the app's copy", () => {
+    expect(require("../airspace/swiss_airspace.json"))
+        .toEqual(require("../../assets/airspace/swiss_airspace.json"));
+  });
+
+  test("loads the polygons with their limits", () => {
+    const zones = loadAirspaceZones();
+    expect(zones.length).toBeGreaterThan(0);
+    for (const loaded of zones) {
+      expect(loaded.ring.length).toBeGreaterThanOrEqual(4);
+      expect(["QNH", "STD", "AGL"]).toContain(loaded.lower.reference);
+      expect(["QNH", "STD", "AGL"]).toContain(loaded.upper.reference);
+    }
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  admin,
+  functions,
+  functionsTest,
+  describeEmulator,
+  clearFirestore,
+  seed,
+  outbox,
+  cleanup,
+} = require("./helpers");
+
+describeEmulator("instructor digest", () => {
+  const sendInstructorDigests =
+    functionsTest.wrap(functions.sendInstructorDigests);
+  const dayMs = 24 * 60 * 60 * 1000;
+  const iso = (offsetMs) => new Date(Date.now() + offsetMs).toISOString();
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await seed({
+      "schools/s1": {
+        name: "Flugschule",
+        digest: {
+          enabled: true,
+          hour: new Date().getUTCHours(),
+          timeZone: "UTC",
+          recipients: ["office@example.com"],
+        },
+      },
+    });
+  });
+
+  afterAll(cleanup);
+
+  /**
+   * Send the digest and return its body.
+   * @return {Promise<string>} The mail text.
+   */
+  async function digestText() {
+    await sendInstructorDigests({});
+    const mails = await outbox("mail_outbox");
+    expect(mails).toHaveLength(1);
+    return mails[0].text;
+  }
+
+  test("compares dates as instants, whatever their format", async () => {
+    const tomorrow = new Date(Date.now() + dayMs);
+    await seed({
+      "schools/s1/pendingFlights/old-string": {
+        status: "pending",
+        studentName: "Anna",
+        takeoffName: "Fiesch",
+        landingName: "Lax",
+        created_at: iso(-10 * dayMs).replace("Z", "+02:00"),
+      },
+      "schools/s1/pendingFlights/old-timestamp": {
+        status: "pending",
+        studentName: "Ben",
+        takeoffName: "Fiesch",
+        landingName: "Lax",
+        created_at: admin.firestore.Timestamp.fromMillis(
+            Date.now() - 10 * dayMs,
+        ),
+      },
+      "schools/s1/pendingFlights/recent": {
+        status: "pending",
+        studentName: "Carla",
+        created_at: iso(-dayMs),
+      },
+      "schools/s1/events/offset": {
+        title: "Theory",
+        startTime: iso(2 * dayMs).slice(0, 19) + "+02:00",
+      },
+      "schools/s1/events/all-day": {
+        title: "Tandem day",
+        startTime: tomorrow.toISOString().slice(0, 10),
+      },
+      "schools/s1/events/past": {
+        title: "Yesterday",
+        startTime: iso(-dayMs).slice(0, 19) + "+02:00",
+      },
+      "schools/s1/events/later": {
+        title: "Next month",
+        startTime: iso(30 * dayMs),
+      },
+      "alerts/a1": {
+        schoolId: "s1",
+        severity: "warning",
+        displayName: "Marco",
+        alertType: "hard_landing",
+        reason: "Hard landing",
+        triggeredAt: iso(-60 * 60 * 1000),
+      },
+    });
+
+    const text = await digestText();
+
+    expect(text).toContain("Pending flights older than 3 days: 2");
+    expect(text).not.toContain("Carla");
+    expect(text).toContain("Unresolved alerts (last 24h): 1");
+    expect(text).toContain("Upcoming events (next 7 days): 2");
+    expect(text.indexOf("Tandem day")).toBeLessThan(text.indexOf("Theory"));
+    expect(text).not.toContain("Yesterday");
+    expect(text).not.toContain("Next month");
+  });
+});
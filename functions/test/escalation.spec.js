@@ -0,0 +1,182 @@
+const {
+  admin,
+  functions,
+  functionsTest,
+  describeEmulator,
+  clearFirestore,
+  seed,
+  seedAuthUsers,
+  outbox,
+  cleanup,
+} = require("./helpers");
+
+describeEmulator("critical alert escalation", () => {
+  const startAlertEscalation =
+    functionsTest.wrap(functions.startAlertEscalation);
+  const advanceAlertEscalations =
+    functionsTest.wrap(functions.advanceAlertEscalations);
+  const alertRef = () => admin.firestore().doc("alerts/a1");
+
+  beforeAll(async () => {
+    await seedAuthUsers([
+      {uid: "inst1", email: "inst1@example.com"},
+      {uid: "own1", email: "own1@example.com"},
+    ]);
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await seed({
+      "schools/s1": {name: "Flugschule", escalation: {enabled: true}},
+      "schools/s1/roles/inst1": {uid: "inst1", role: "instructor"},
+      "schools/s1/roles/own1": {uid: "own1", role: "owner"},
+      "users/inst1/deviceTokens/tok-inst1": {token: "tok-inst1"},
+      "users/own1": {phonenumber: "+41790000001"},
+      "users/own1/deviceTokens/tok-own1": {token: "tok-own1"},
+      "users/pilot1": {
+        emergency_contact_name: "Eva",
+        emergency_contact_phone: "+41790000002",
+      },
+    });
+  });
+
+  afterAll(cleanup);
+
+  /**
+   * Create the critical alert and run the trigger that starts the
+   * escalation, as the alert processing does.
+   * @return {Promise<void>}
+   */
+  async function raiseCriticalAlert() {
+    const before = await alertRef().get();
+    await alertRef().set({
+      uid: "pilot1",
+      displayName: "Marco",
+      alertType: "lost_contact",
+      reason: "No position update for 12 minutes during flight",
+      severity: "critical",
+      status: "open",
+      schoolId: "s1",
+      processedAt: admin.firestore.Timestamp.now(),
+      metadata: {latitude: 46.4, longitude: 8.13, altitude: 2140},
+    });
+    await startAlertEscalation({
+      data: {before, after: await alertRef().get()},
+      params: {alertId: "a1"},
+    });
+  }
+
+  /**
+   * Let the acknowledgement time run out and run the scheduler.
+   * @return {Promise<void>}
+   */
+  async function advanceOverdue() {
+    await alertRef().update({
+      "escalation.nextAt": admin.firestore.Timestamp.fromMillis(
+          Date.now() - 1000,
+      ),
+    });
+    await advanceAlertEscalations({});
+  }
+
+  /**
+   * Read the alert's recorded escalation.
+   * @return {Promise<object>} The escalation map.
+   */
+  async function escalation() {
+    return (await alertRef().get()).data().escalation;
+  }
+
+  test("walks instructors, owners and the emergency contact", async () => {
+    await raiseCriticalAlert();
+
+    let state = await escalation();
+    expect(state).toMatchObject({active: true, level: 1});
+    expect(state.steps.map((step) => step.step)).toEqual(["instructors"]);
+    expect(await outbox("notification_outbox")).toEqual([
+      expect.objectContaining({
+        tokens: ["tok-inst1"],
+        data: {type: "critical_alert", alertId: "a1"},
+      }),
+    ]);
+    expect(await outbox("mail_outbox")).toEqual([
+      expect.objectContaining({to: "inst1@example.com"}),
+    ]);
+    expect(await outbox("sms_outbox")).toHaveLength(0);
+
+    // Nobody acknowledged: the owners are next, with SMS
+    await advanceOverdue();
+    state = await escalation();
+    expect(state).toMatchObject({active: true, level: 2});
+    expect(state.steps[1]).toMatchObject({
+      step: "owners",
+      recipients: [
+        "push:own1",
+        "email:own1@example.com",
+        "sms:+41790000001",
+      ],
+      delivered: 3,
+    });
+    const ownerSms = await outbox("sms_outbox");
+    expect(ownerSms).toHaveLength(1);
+    expect(ownerSms[0].to).toBe("+41790000001");
+    expect(ownerSms[0].text).toContain("FlightDeck CRITICAL: Marco");
+    expect(ownerSms[0].text)
+        .toContain("https://maps.google.com/?q=46.4,8.13 (2140 m)");
+
+    // Then the pilot's emergency contact, which ends the chain
+    await advanceOverdue();
+    state = await escalation();
+    expect(state).toMatchObject({active: false, level: 3, nextAt: null});
+    expect(state.steps.map((step) => step.step))
+        .toEqual(["instructors", "owners", "emergency_contact"]);
+    const contactSms = (await outbox("sms_outbox"))
+        .filter((sms) => sms.to === "+41790000002");
+    expect(contactSms).toHaveLength(1);
+    expect(contactSms[0].text).toMatch(/^Eva, this is FlightDeck/);
+  });
+
+  test("stops once the alert is acknowledged", async () => {
+    await raiseCriticalAlert();
+    await alertRef().update({status: "acknowledged"});
+
+    await advanceOverdue();
+
+    const state = await escalation();
+    expect(state.active).toBe(false);
+    expect(state.steps.map((step) => step.step))
+        .toEqual(["instructors", "stopped"]);
+    expect(state.steps[1].reason).toBe("acknowledged");
+    expect(await outbox("sms_outbox")).toHaveLength(0);
+    expect(await outbox("notification_outbox")).toHaveLength(1);
+  });
+
+  test("skips a level without anybody to reach", async () => {
+    await admin.firestore().doc("schools/s1/roles/inst1").delete();
+
+    await raiseCriticalAlert();
+    // The instructors step found nobody, so the owners follow at once
+    await advanceAlertEscalations({});
+
+    const state = await escalation();
+    expect(state.steps[0]).toMatchObject({
+      step: "instructors",
+      delivered: 0,
+      errors: ["No instructors at the school"],
+    });
+    expect(state.steps[1]).toMatchObject({step: "owners", delivered: 3});
+    expect(state.level).toBe(2);
+  });
+
+  test("does not start when the school disabled escalation", async () => {
+    await seed({
+      "schools/s1": {name: "Flugschule", escalation: {enabled: false}},
+    });
+
+    await raiseCriticalAlert();
+
+    expect((await alertRef().get()).data().escalation).toBeUndefined();
+    expect(await outbox("notification_outbox")).toHaveLength(0);
+    expect(await outbox("mail_outbox")).toHaveLength(0);
+  });
+});
@@ -0,0 +1,86 @@
+// Shared setup of the Cloud Functions tests.
+//
+// Suites declared with describeEmulator run against the Firestore
+// and Auth emulators and are skipped without them:
+//   npm run test:emulator
+// Push messages, mail and SMS use the capture transports, so they
+// land in notification_outbox, mail_outbox and sms_outbox.
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || "demo-flightdeck";
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.NOTIFICATION_TRANSPORT = "capture";
+process.env.MAIL_TRANSPORT = "capture";
+process.env.SMS_TRANSPORT = "capture";
+
+const functionsTest = require("firebase-functions-test")({
+  projectId: PROJECT_ID,
+});
+const admin = require("firebase-admin");
+const functions = require("../index.js");
+
+const describeEmulator = process.env.FIRESTORE_EMULATOR_HOST &&
+  process.env.FIREBASE_AUTH_EMULATOR_HOST ? describe : describe.skip;
+
+/**
+ * Delete all documents in the emulator.
+ * @return {Promise<void>}
+ */
+function clearFirestore() {
+  return functionsTest.firestore.clearFirestoreData({projectId: PROJECT_ID});
+}
+
+/**
+ * Write documents to the emulator.
+ * @param {object} docs - Document path → data.
+ * @return {Promise<void>}
+ */
+async function seed(docs) {
+  const db = admin.firestore();
+  const batch = db.batch();
+  for (const [path, data] of Object.entries(docs)) {
+    batch.set(db.doc(path), data);
+  }
+  await batch.commit();
+}
+
+/**
+ * Create Auth users in the emulator, replacing existing ones.
+ * @param {Array<object>} users - createUser properties with uid.
+ * @return {Promise<void>}
+ */
+async function seedAuthUsers(users) {
+  const auth = admin.auth();
+  await auth.deleteUsers(users.map((user) => user.uid));
+  for (const user of users) await auth.createUser(user);
+}
+
+/**
+ * Read everything a capture transport wrote.
+ * @param {string} collection - The outbox collection.
+ * @return {Promise<Array<object>>} The captured messages.
+ */
+async function outbox(collection) {
+  const snap = await admin.firestore().collection(collection).get();
+  return snap.docs.map((doc) => doc.data());
+}
+
+/**
+ * Release the test SDK and the Firebase apps after a suite.
+ * @return {Promise<void>}
+ */
+async function cleanup() {
+  functionsTest.cleanup();
+  await Promise.all(admin.apps.map((app) => app.delete()));
+}
+
+module.exports = {
+  admin,
+  functions,
+  functionsTest,
+  describeEmulator,
+  clearFirestore,
+  seed,
+  seedAuthUsers,
+  outbox,
+  cleanup,
+};
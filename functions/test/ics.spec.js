@@ -0,0 +1,190 @@
+const {
+  parseIcsEvents,
+  icsUnescape,
+  parseIcsTime,
+  icsTimeToIso,
+  parseIcsDuration,
+  expandIcsRecurrence,
+} = require("../ics");
+
+/**
+ * Parse a calendar built from lines joined with CRLF.
+ * @param {Array<string>} lines - The iCalendar lines.
+ * @return {Array<object>} The parsed VEVENTs.
+ */
+function parse(lines) {
+  return parseIcsEvents(lines.join("\r\n"));
+}
+
+describe("parseIcsEvents", () => {
+  test("unfolds continuation lines and skips nested components", () => {
+    const [event] = parse([
+      "BEGIN:VCALENDAR",
+      "BEGIN:VEVENT",
+      "UID:abc@example.com",
+      "SUMMARY:Theory evening: weather\\, ",
+      " thermals and föhn",
+      "DESCRIPTION:Line one\\nline two",
+      "LOCATION;ALTREP=\"https://example.com/a;b\":Fiesch",
+      "BEGIN:VALARM",
+      "DESCRIPTION:Reminder",
+      "END:VALARM",
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ]);
+
+    expect(icsUnescape(event.SUMMARY[0].value))
+        .toBe("Theory evening: weather, thermals and föhn");
+    expect(event.DESCRIPTION).toHaveLength(1);
+    expect(icsUnescape(event.DESCRIPTION[0].value))
+        .toBe("Line one\nline two");
+    expect(event.LOCATION[0]).toEqual({
+      params: {ALTREP: "https://example.com/a;b"},
+      value: "Fiesch",
+    });
+  });
+
+  test("accepts LF line endings and folds with tabs", () => {
+    const [event] = parseIcsEvents([
+      "BEGIN:VEVENT",
+      "UID:abc",
+      "SUMMARY:Tandem",
+      "\tday",
+      "END:VEVENT",
+    ].join("\n"));
+
+    expect(event.SUMMARY[0].value).toBe("Tandemday");
+  });
+});
+
+describe("times", () => {
+  test("keeps TZID times on the wall clock across DST", () => {
+    const winter = parseIcsTime({
+      params: {TZID: "Europe/Zurich"},
+      value: "20260323T090000",
+    });
+    const summer = parseIcsTime({
+      params: {TZID: "Europe/Zurich"},
+      value: "20260330T090000",
+    });
+
+    expect(winter.kind).toBe("local");
+    expect(icsTimeToIso(winter, "UTC")).toBe("2026-03-23T09:00:00+01:00");
+    expect(icsTimeToIso(summer, "UTC")).toBe("2026-03-30T09:00:00+02:00");
+  });
+
+  test("uses the default zone for floating and unknown zones", () => {
+    const floating = parseIcsTime({params: {}, value: "20260710T140000"});
+    const unknown = parseIcsTime({
+      params: {TZID: "W. Europe Standard Time"},
+      value: "20260710T140000",
+    });
+
+    expect(icsTimeToIso(floating, "Europe/Zurich"))
+        .toBe("2026-07-10T14:00:00+02:00");
+    expect(icsTimeToIso(unknown, "Europe/Zurich"))
+        .toBe("2026-07-10T14:00:00+02:00");
+  });
+
+  test("formats UTC times and all-day dates", () => {
+    expect(icsTimeToIso(
+        parseIcsTime({params: {}, value: "20260710T120000Z"}), "UTC",
+    )).toBe("2026-07-10T12:00:00Z");
+    const date = parseIcsTime({params: {VALUE: "DATE"}, value: "20260710"});
+    expect(date.kind).toBe("date");
+    expect(icsTimeToIso(date, "Europe/Zurich")).toBe("2026-07-10");
+  });
+
+  test("rejects malformed values", () => {
+    expect(parseIcsTime({params: {}, value: "2026-07-10"})).toBeNull();
+    expect(parseIcsTime(undefined)).toBeNull();
+  });
+});
+
+describe("parseIcsDuration", () => {
+  test.each([
+    ["PT1H30M", 90 * 60 * 1000],
+    ["P1D", 24 * 60 * 60 * 1000],
+    ["P1W", 7 * 24 * 60 * 60 * 1000],
+    ["-PT15M", -15 * 60 * 1000],
+    ["PT45S", 45 * 1000],
+  ])("parses %s", (value, ms) => {
+    expect(parseIcsDuration(value)).toBe(ms);
+  });
+
+  test("returns null for invalid durations", () => {
+    expect(parseIcsDuration("1H")).toBeNull();
+    expect(parseIcsDuration(undefined)).toBeNull();
+  });
+});
+
+describe("expandIcsRecurrence", () => {
+  /**
+   * Expand the recurrence of a single parsed VEVENT.
+   * @param {Array<string>} lines - The VEVENT's property lines.
+   * @param {number} [fromMs] - Window start (wall clock ms).
+   * @param {number} [toMs] - Window end (wall clock ms).
+   * @return {Array<string>} Instance starts as wall clock ISO strings.
+   */
+  function expand(lines, fromMs = 0, toMs = Infinity) {
+    const [event] = parse(["BEGIN:VEVENT", ...lines, "END:VEVENT"]);
+    const start = parseIcsTime(event.DTSTART[0]);
+    return expandIcsRecurrence(event, start, fromMs, toMs)
+        .map((wall) => wall.toISOString().slice(0, 19));
+  }
+
+  test("expands weekly BYDAY rules and drops EXDATEs", () => {
+    const instances = expand([
+      "DTSTART;TZID=Europe/Zurich:20260323T090000",
+      "RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4",
+      "EXDATE;TZID=Europe/Zurich:20260325T090000",
+    ]);
+
+    // The excluded instance still counts towards COUNT
+    expect(instances).toEqual([
+      "2026-03-23T09:00:00",
+      "2026-03-30T09:00:00",
+      "2026-04-01T09:00:00",
+    ]);
+  });
+
+  test("stops at UNTIL and honors INTERVAL", () => {
+    const instances = expand([
+      "DTSTART:20260301T180000",
+      "RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20260307T180000",
+    ]);
+
+    expect(instances).toEqual([
+      "2026-03-01T18:00:00",
+      "2026-03-03T18:00:00",
+      "2026-03-05T18:00:00",
+      "2026-03-07T18:00:00",
+    ]);
+  });
+
+  test("skips months without the start day", () => {
+    const instances = expand([
+      "DTSTART;VALUE=DATE:20260131",
+      "RRULE:FREQ=MONTHLY;COUNT=3",
+    ]);
+
+    expect(instances).toEqual([
+      "2026-01-31T00:00:00",
+      "2026-03-31T00:00:00",
+      "2026-05-31T00:00:00",
+    ]);
+  });
+
+  test("only returns instances inside the window", () => {
+    const instances = expand([
+      "DTSTART:20260105T100000",
+      "RRULE:FREQ=WEEKLY",
+    ], Date.UTC(2026, 0, 12), Date.UTC(2026, 0, 26, 10));
+
+    expect(instances).toEqual([
+      "2026-01-12T10:00:00",
+      "2026-01-19T10:00:00",
+      "2026-01-26T10:00:00",
+    ]);
+  });
+});
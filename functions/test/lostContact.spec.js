@@ -0,0 +1,86 @@
+const {
+  admin,
+  functions,
+  functionsTest,
+  describeEmulator,
+  clearFirestore,
+  seed,
+  cleanup,
+} = require("./helpers");
+
+describeEmulator("lost contact detection", () => {
+  const detectLostContact = functionsTest.wrap(functions.detectLostContact);
+  const minutesAgo = (minutes) => admin.firestore.Timestamp.fromMillis(
+      Date.now() - minutes * 60000,
+  );
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await seed({
+      "users/p1": {mainschool_id: "s1"},
+      "schools/s1": {lostContact: {thresholdMinutes: 10}},
+      "live_tracking/p1": {
+        inFlight: true,
+        displayName: "Marco",
+        latitude: 46.4,
+        longitude: 8.13,
+        altitude: 2140,
+        lastUpdate: minutesAgo(20),
+      },
+    });
+  });
+
+  afterAll(cleanup);
+
+  /**
+   * Read the lost_contact alerts of the pilot.
+   * @return {Promise<Array<object>>} The snapshots.
+   */
+  async function lostContactAlerts() {
+    const snap = await admin.firestore().collection("alerts")
+        .where("uid", "==", "p1")
+        .where("alertType", "==", "lost_contact")
+        .get();
+    return snap.docs;
+  }
+
+  test("raises one alert for a silent pilot", async () => {
+    await detectLostContact({});
+    await detectLostContact({});
+
+    const alerts = await lostContactAlerts();
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].data()).toMatchObject({
+      severity: "critical",
+      schoolId: "s1",
+      status: "open",
+    });
+  });
+
+  test("stays quiet after staff resolved the alert", async () => {
+    await detectLostContact({});
+    const [alert] = await lostContactAlerts();
+    await alert.ref.update({
+      status: "resolved",
+      resolved: true,
+      resolvedBy: "inst1",
+    });
+
+    await detectLostContact({});
+
+    expect(await lostContactAlerts()).toHaveLength(1);
+  });
+
+  test("alerts again when the pilot goes silent again", async () => {
+    await detectLostContact({});
+    const [alert] = await lostContactAlerts();
+    await alert.ref.update({status: "resolved", resolved: true});
+    await admin.firestore().doc("live_tracking/p1").update({
+      lastUpdate: minutesAgo(12),
+    });
+
+    await detectLostContact({});
+
+    expect(await lostContactAlerts()).toHaveLength(2);
+  });
+});
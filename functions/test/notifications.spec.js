@@ -0,0 +1,161 @@
+const {
+  admin,
+  functions,
+  functionsTest,
+  describeEmulator,
+  clearFirestore,
+  seed,
+  outbox,
+  cleanup,
+} = require("./helpers");
+
+describeEmulator("flight review notifications", () => {
+  const notifyPendingFlightCreated =
+    functionsTest.wrap(functions.notifyPendingFlightCreated);
+  const notifyFlightReviewed =
+    functionsTest.wrap(functions.notifyFlightReviewed);
+  const cleanupStalePendingFlights =
+    functionsTest.wrap(functions.cleanupStalePendingFlights);
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await seed({
+      "schools/s1/roles/inst1": {uid: "inst1", role: "instructor"},
+      "schools/s1/roles/own1": {uid: "own1", role: "owner"},
+      "schools/s1/roles/view1": {uid: "view1", role: "viewer"},
+      "users/inst1/deviceTokens/tok-inst1": {
+        token: "tok-inst1",
+        language: "de",
+      },
+      "users/own1/deviceTokens/tok-own1": {token: "tok-own1", language: "en"},
+      "users/own1/settings/notifications": {pendingFlights: false},
+      "users/view1/deviceTokens/tok-view1": {token: "tok-view1"},
+      "users/stud1/deviceTokens/tok-stud1": {
+        token: "tok-stud1",
+        language: "en",
+      },
+      "users/stud1/flightlog/f1": {takeoffName: "Fiesch"},
+    });
+  });
+
+  afterAll(cleanup);
+
+  /**
+   * Create a document and run a created trigger with its snapshot.
+   * @param {Function} wrapped - The wrapped trigger.
+   * @param {string} path - The document path.
+   * @param {object} data - The document data.
+   * @param {object} params - The trigger's path params.
+   */
+  async function createAndTrigger(wrapped, path, data, params) {
+    const ref = admin.firestore().doc(path);
+    await ref.set(data);
+    await wrapped({data: await ref.get(), params});
+  }
+
+  test("tells the school's staff about a new pending flight", async () => {
+    await createAndTrigger(notifyPendingFlightCreated,
+        "schools/s1/pendingFlights/f1",
+        {status: "pending", studentName: "Anna", takeoffName: "Fiesch"},
+        {schoolId: "s1", flightId: "f1"});
+
+    const messages = await outbox("notification_outbox");
+    // The owner opted out of pending flights; viewers are not staff
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({
+      tokens: ["tok-inst1"],
+      notification: {
+        title: "Neuer Flug zur Prüfung",
+        body: "Anna hat einen Flug ab Fiesch erfasst.",
+      },
+      data: {
+        type: "pending_flight_created",
+        schoolId: "s1",
+        flightId: "f1",
+      },
+    });
+  });
+
+  test("stays quiet for entries that are not pending", async () => {
+    await createAndTrigger(notifyPendingFlightCreated,
+        "schools/s1/pendingFlights/f1",
+        {status: "accepted", studentName: "Anna", takeoffName: "Fiesch"},
+        {schoolId: "s1", flightId: "f1"});
+
+    expect(await outbox("notification_outbox")).toHaveLength(0);
+  });
+
+  test("tells the student about a decline with the reason", async () => {
+    await createAndTrigger(notifyFlightReviewed,
+        "schools/s1/flightReviews/r1",
+        {
+          flightId: "f1",
+          studentUid: "stud1",
+          action: "decline",
+          reason: "Wrong landing site",
+        },
+        {schoolId: "s1", reviewId: "r1"});
+
+    const messages = await outbox("notification_outbox");
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({
+      tokens: ["tok-stud1"],
+      notification: {
+        title: "Flight declined",
+        body: "Your flight from Fiesch was declined: Wrong landing site",
+      },
+      data: {type: "flight_declined", schoolId: "s1", flightId: "f1"},
+    });
+  });
+
+  test("honors the student's review notification preference", async () => {
+    await seed({
+      "users/stud1/settings/notifications": {flightReviews: false},
+    });
+    await createAndTrigger(notifyFlightReviewed,
+        "schools/s1/flightReviews/r1",
+        {flightId: "f1", studentUid: "stud1", action: "accept"},
+        {schoolId: "s1", reviewId: "r1"});
+
+    expect(await outbox("notification_outbox")).toHaveLength(0);
+  });
+
+  test("does not notify for log entries without an outcome", async () => {
+    await createAndTrigger(notifyFlightReviewed,
+        "schools/s1/flightReviews/r1",
+        {flightId: "f1", studentUid: "stud1", action: "reopen"},
+        {schoolId: "s1", reviewId: "r1"});
+
+    expect(await outbox("notification_outbox")).toHaveLength(0);
+  });
+
+  test("reminds with the age the stale query used", async () => {
+    const daysAgo = (days) => admin.firestore.Timestamp.fromMillis(
+        Date.now() - days * 24 * 60 * 60 * 1000,
+    );
+    await seed({
+      "schools/s1": {name: "Flugschule"},
+      "schools/s1/pendingFlights/f1": {
+        status: "pending",
+        created_at: daysAgo(45),
+      },
+      "schools/s1/pendingFlights/f2": {
+        status: "pending",
+        created_at: daysAgo(65),
+      },
+      "schools/s1/pendingFlights/f3": {
+        status: "pending",
+        created_at: daysAgo(5),
+      },
+    });
+
+    await cleanupStalePendingFlights({});
+
+    const messages = await outbox("notification_outbox");
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({
+      tokens: ["tok-inst1"],
+      notification: {body: "Flüge, die seit über 30 Tagen warten: 2"},
+    });
+  });
+});
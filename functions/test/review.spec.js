@@ -0,0 +1,146 @@
+const {
+  admin,
+  functions,
+  functionsTest,
+  describeEmulator,
+  clearFirestore,
+  seed,
+  cleanup,
+} = require("./helpers");
+
+const reviewPendingFlights =
+  functionsTest.wrap(functions.reviewPendingFlights);
+const reopenFlight = functionsTest.wrap(functions.reopenFlight);
+const requestFlightChanges =
+  functionsTest.wrap(functions.requestFlightChanges);
+const instructor = {
+  uid: "inst1",
+  token: {schoolRoles: {s1: "instructor"}},
+};
+
+afterAll(cleanup);
+
+describe("reviewPendingFlights input", () => {
+  test.each([
+    ["a string", "f1"],
+    ["an empty array", []],
+    ["non-string IDs", ["f1", 2]],
+    ["empty IDs", ["f1", ""]],
+    ["IDs with a slash", ["f1/x"]],
+  ])("rejects flightIds that are %s", async (_, flightIds) => {
+    await expect(reviewPendingFlights({
+      data: {schoolId: "s1", action: "accept", flightIds},
+      auth: instructor,
+    })).rejects.toMatchObject({code: "invalid-argument"});
+  });
+
+  test("requires flightIds or filters", async () => {
+    await expect(reviewPendingFlights({
+      data: {schoolId: "s1", action: "decline", filters: "all"},
+      auth: instructor,
+    })).rejects.toMatchObject({code: "invalid-argument"});
+  });
+});
+
+describeEmulator("reviewPendingFlights", () => {
+  beforeEach(async () => {
+    await clearFirestore();
+    await seed({
+      "schools/s1/pendingFlights/f1": {status: "pending", student_uid: "u1"},
+      "schools/s1/pendingFlights/f2": {status: "accepted", student_uid: "u1"},
+      "users/u1/flightlog/f1": {status: "pending"},
+      "users/u1/flightlog/f2": {status: "accepted"},
+    });
+  });
+
+  test("leaves flights another reviewer decided alone", async () => {
+    const result = await reviewPendingFlights({
+      data: {schoolId: "s1", action: "decline", flightIds: ["f1", "f2"]},
+      auth: instructor,
+    });
+
+    expect(result.results).toEqual([
+      {flightId: "f1", success: true},
+      {flightId: "f2", success: false, error: "Flight is not pending"},
+    ]);
+    const db = admin.firestore();
+    expect((await db.doc("schools/s1/pendingFlights/f1").get()).exists)
+        .toBe(false);
+    expect((await db.doc("schools/s1/pendingFlights/f2").get()).data())
+        .toMatchObject({status: "accepted"});
+    expect((await db.doc("users/u1/flightlog/f2").get()).data())
+        .toMatchObject({status: "accepted"});
+  });
+});
+
+describeEmulator("reopenFlight", () => {
+  const studentFlight = {
+    license_type: "Student",
+    thisflight_school_id: "s1",
+    takeoffName: "Fiesch",
+  };
+
+  beforeEach(async () => {
+    await clearFirestore();
+  });
+
+  test("ignores a review state the student wrote", async () => {
+    await seed({
+      "schools/s1/pendingFlights/f1": {status: "pending", student_uid: "u1"},
+      "users/u1/flightlog/f1": {...studentFlight, status: "accepted"},
+    });
+
+    await expect(reopenFlight({
+      data: {schoolId: "s1", flightId: "f1"},
+      auth: instructor,
+    })).rejects.toMatchObject({code: "failed-precondition"});
+    expect((await admin.firestore().doc("users/u1/flightlog/f1").get())
+        .data().status).toBe("accepted");
+  });
+
+  test("restores a declined flight from the review log", async () => {
+    await seed({
+      "schools/s1/flightReviews/r1": {
+        flightId: "f1",
+        studentUid: "u1",
+        action: "decline",
+        statusBefore: "pending",
+        statusAfter: "declined",
+        createdAt: admin.firestore.Timestamp.now(),
+      },
+      "users/u1/flightlog/f1": {...studentFlight, status: "declined"},
+    });
+
+    await reopenFlight({
+      data: {schoolId: "s1", flightId: "f1"},
+      auth: instructor,
+    });
+
+    const db = admin.firestore();
+    expect((await db.doc("schools/s1/pendingFlights/f1").get()).data())
+        .toMatchObject({status: "pending", studentUid: "u1"});
+    expect((await db.doc("users/u1/flightlog/f1").get()).data().status)
+        .toBe("pending");
+  });
+});
+
+describeEmulator("requestFlightChanges", () => {
+  beforeEach(async () => {
+    await clearFirestore();
+  });
+
+  test("refuses flights without a flightlog entry", async () => {
+    await seed({
+      "schools/s1/pendingFlights/f1": {status: "pending", student_uid: "u1"},
+    });
+
+    await expect(requestFlightChanges({
+      data: {schoolId: "s1", flightId: "f1", comment: "Wrong glider"},
+      auth: instructor,
+    })).rejects.toMatchObject({code: "not-found"});
+
+    const pendingRef = admin.firestore().doc("schools/s1/pendingFlights/f1");
+    expect((await pendingRef.get()).data().status).toBe("pending");
+    expect((await pendingRef.collection("comments").get()).size).toBe(0);
+  });
+});
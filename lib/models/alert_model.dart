@@ -9,6 +9,7 @@ enum AlertType {
   airspaceViolation, // Entered restricted airspace
   altitudeViolation, // Exceeded max altitude
   geofenceViolation, // Exited designated flight area
+  lostContact, // Position updates stopped during flight (server-raised)
 }
 
 /// Extension to convert AlertType enum to/from string
@@ -25,6 +26,8 @@ extension AlertTypeExtension on AlertType {
         return 'altitude_violation';
       case AlertType.geofenceViolation:
         return 'geofence_violation';
+      case AlertType.lostContact:
+        return 'lost_contact';
     }
   }
 
@@ -40,6 +43,8 @@ extension AlertTypeExtension on AlertType {
         return AlertType.altitudeViolation;
       case 'geofence_violation':
         return AlertType.geofenceViolation;
+      case 'lost_contact':
+        return AlertType.lostContact;
       default:
         return AlertType.airspaceViolation; // fallback
     }
@@ -141,6 +146,27 @@ class AlertRecord {
             updatedAt != null ? Timestamp.fromDate(updatedAt!) : FieldValue.serverTimestamp(),
       };
 
+  /// Fields the pilot may change on an existing alert; everything else
+  /// belongs to the alert processing Cloud Functions (see firestore.rules)
+  static const pilotWritableFields = ['reason', 'metadata', 'updatedAt'];
+
+  /// Convert to the Firestore document a pilot creates.
+  /// Leaves out the lifecycle (resolved*, resolutionNotes): only the
+  /// acknowledgeAlert / resolveAlert / reopenAlert Cloud Functions write it.
+  Map<String, dynamic> toFirestoreCreate() => {
+        'uid': uid,
+        'displayName': displayName,
+        'shvNumber': shvNumber,
+        'licenseType': licenseType,
+        'alertType': alertType,
+        'reason': reason,
+        'severity': severity,
+        'triggeredAt': Timestamp.fromDate(triggeredAt),
+        'metadata': metadata,
+        'updatedAt':
+            updatedAt != null ? Timestamp.fromDate(updatedAt!) : FieldValue.serverTimestamp(),
+      };
+
   /// Create from Firestore document
   factory AlertRecord.fromFirestore(Map<String, dynamic> data, {String? id}) {
     return AlertRecord(
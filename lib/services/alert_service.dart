@@ -5,6 +5,7 @@ import 'dart:convert';
 import 'dart:developer';
 
 import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:cloud_functions/cloud_functions.dart';
 import 'package:flutter/foundation.dart';
 import 'package:shared_preferences/shared_preferences.dart';
 
@@ -889,7 +890,7 @@ class AlertService extends ChangeNotifier {
       type: 'create',
       collection: 'alerts',
       documentId: alertId,
-      data: alert.toFirestore(),
+      data: alert.toFirestoreCreate(),
     );
 
     // Notify UI of new alert
@@ -1019,13 +1020,26 @@ class AlertService extends ChangeNotifier {
           switch (operation.type) {
             case 'create':
               // CREATE: Use merge: false to ensure ALL fields are written
-              // This is critical for offline-created alerts to have all required fields
-              await docRef.set(data, SetOptions(merge: false));
+              // This is critical for offline-created alerts to have all required fields.
+              // A retried create may find the alert already on the server, where
+              // the Cloud Functions have processed it: never overwrite it then.
+              await _db.runTransaction((transaction) async {
+                final existing = await transaction.get(docRef);
+                if (!existing.exists) {
+                  transaction.set(docRef, data);
+                }
+              });
               break;
             case 'set_merge':
             case 'update':
-              // UPDATE: Use merge: true to only update specific fields
-              await docRef.set(data, SetOptions(merge: true));
+              // UPDATE: Use merge: true to only update specific fields.
+              // Alerts only take the fields the pilot may write (firestore.rules).
+              final updateData = operation.collection == 'alerts'
+                  ? (Map<String, dynamic>.of(data)
+                    ..removeWhere((key, _) =>
+                        !AlertRecord.pilotWritableFields.contains(key)))
+                  : data;
+              await docRef.set(updateData, SetOptions(merge: true));
               break;
           }
           
@@ -1091,6 +1105,35 @@ class AlertService extends ChangeNotifier {
     }
   }
 
+  /// Acknowledge an alert (school admins).
+  /// The lifecycle is server-owned, so this calls the acknowledgeAlert
+  /// Cloud Function, which also stops the escalation.
+  Future<void> acknowledgeAlert(String alertId, {String? notes}) =>
+      _changeAlertStatus('acknowledgeAlert', alertId, notes: notes);
+
+  /// Resolve an alert (school admins) via the resolveAlert Cloud Function
+  Future<void> resolveAlert(String alertId, {String? notes}) =>
+      _changeAlertStatus('resolveAlert', alertId, notes: notes);
+
+  /// Reopen a resolved alert (school admins) via the reopenAlert Cloud Function
+  Future<void> reopenAlert(String alertId, {String? notes}) =>
+      _changeAlertStatus('reopenAlert', alertId, notes: notes);
+
+  /// Call one of the alert lifecycle Cloud Functions.
+  /// Throws [FirebaseFunctionsException] when the change is refused
+  /// (not an admin of the alert's school, wrong status, offline).
+  Future<void> _changeAlertStatus(
+    String function,
+    String alertId, {
+    String? notes,
+  }) async {
+    await FirebaseFunctions.instance.httpsCallable(function).call({
+      'alertId': alertId,
+      if (notes != null && notes.isNotEmpty) 'notes': notes,
+    });
+    log('[AlertService] $function: $alertId');
+  }
+
   /// Force sync pending operations (call when connectivity restored)
   Future<void> forceSyncPendingAlerts() async {
     if (_pendingOperations.isEmpty) {
@@ -137,6 +137,9 @@ class CalendarService extends ChangeNotifier {
   }
 
   /// Register the current user for an event.
+  ///
+  /// Merges into an existing registration so the server's admittedAt /
+  /// waitlistedAt survive and registering again keeps the user's place.
   Future<void> register(String eventId, {required String name, String email = '', String? note}) async {
     if (_schoolId == null || _uid == null) return;
 
@@ -154,7 +157,7 @@ class CalendarService extends ChangeNotifier {
       'registeredAt': FieldValue.serverTimestamp(),
       'status': 'registered',
       'note': note,
-    });
+    }, SetOptions(merge: true));
 
     _myRegistrations[eventId] = true;
     await _loadRegistrations(eventId);